@@ -0,0 +1,132 @@
+/*
+========================================
+    Service Worker
+    (Offline support - registered by registerServiceWorker in script.js)
+========================================
+*/
+// Bump the version whenever the list below changes so old caches are cleared
+const CACHE_NAME = "scoop-shop-v6";
+
+const PRECACHE_URLS = [
+  "index.html",
+  "products.html",
+  "product-detail.html",
+  "cart.html",
+  "order.html",
+  "my-orders.html",
+  "admin-orders.html",
+  "inbox.html",
+  "profile.html",
+  "about.html",
+  "contact.html",
+  "login.html",
+  "signup.html",
+  "reset-password.html",
+  "verify-email.html",
+  "style.css",
+  "script.js",
+  "products.json",
+  "product-options.json",
+  "promotions.json",
+  "delivery-config.json",
+  "schedule-config.json",
+  "locales/en.json",
+  "locales/es.json",
+];
+
+// The Firebase SDK comes from another origin, so it is listed separately. Its URLs are pinned
+// to one version and never change, so they are served from the cache first: without them an
+// offline reload would fall back to the local backend and look signed out.
+// Keep these in step with the script tags in the pages.
+const FIREBASE_SDK_URLS = [
+  "https://www.gstatic.com/firebasejs/9.22.0/firebase-app-compat.js",
+  "https://www.gstatic.com/firebasejs/9.22.0/firebase-auth-compat.js",
+  "https://www.gstatic.com/firebasejs/9.22.0/firebase-firestore-compat.js",
+];
+
+// Must match OFFLINE_QUEUE_SYNC_TAG in script.js
+const OFFLINE_QUEUE_SYNC_TAG = "replay-offline-queue";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      // One missing file shouldn't stop everything else from being cached
+      Promise.all(
+        [...PRECACHE_URLS, ...FIREBASE_SDK_URLS].map((url) =>
+          cache.add(url).catch((error) => console.warn(`Could not cache ${url}:`, error))
+        )
+      )
+    )
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, so prices, stock and code are always fresh when online;
+// the cached copy is used when the network can't be reached.
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method === "GET" && FIREBASE_SDK_URLS.includes(request.url)) {
+    event.respondWith(
+      caches.match(request).then(
+        (cached) =>
+          cached ||
+          fetch(request).then((response) => {
+            if (response.ok) {
+              const copy = response.clone();
+              caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+            }
+            return response;
+          })
+      )
+    );
+    return;
+  }
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+    return; // Firestore calls, fonts and images go straight to the network
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(async () => {
+        // Pages are cached without their query string (e.g. product-detail.html?flavor=...)
+        const cached = await caches.match(request, { ignoreSearch: request.mode === "navigate" });
+        if (cached) {
+          return cached;
+        }
+        if (request.mode === "navigate") {
+          return caches.match("index.html");
+        }
+        return Response.error();
+      })
+  );
+});
+
+// Background Sync: the connection is back, so ask any open page to replay the offline queue
+// (the queue is sent by the page, which has the signed-in user and the storage backend)
+self.addEventListener("sync", (event) => {
+  if (event.tag !== OFFLINE_QUEUE_SYNC_TAG) {
+    return;
+  }
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      clients.forEach((client) => client.postMessage({ type: OFFLINE_QUEUE_SYNC_TAG }));
+    })
+  );
+});
@@ -0,0 +1,316 @@
+// Tests for firestore.rules, run against the Firestore emulator:
+//   npm install
+//   npm run test:rules
+// (firebase emulators:exec starts the emulator, runs these with node --test and stops it)
+// The emulator is a Java program, so this needs Java 11 or later on the PATH as well as
+// Node 18 or later; the "Firestore rules" GitHub workflow runs them with both installed.
+const { describe, it, before, beforeEach, after } = require("node:test");
+const fs = require("node:fs");
+const path = require("node:path");
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require("@firebase/rules-unit-testing");
+
+const PROJECT_ID = "scoop-shop-rules-test";
+
+// Must match CONTACT_RATE_LIMIT in script.js
+const CONTACT_MAX_MESSAGES = 3;
+const CONTACT_WINDOW_MS = 60 * 60 * 1000;
+
+let testEnv;
+
+// Signed-in users as the rules see them (a customer, another customer, staff and an admin)
+const ALICE = { uid: "alice", email: "alice@example.com" };
+const BOB = { uid: "bob", email: "bob@example.com" };
+const STAFF = { uid: "sam", email: "sam@example.com" };
+const ADMIN = { uid: "ada", email: "ada@example.com" };
+
+function firestoreAs(user, tokenOptions = {}) {
+  return testEnv
+    .authenticatedContext(user.uid, { email: user.email, email_verified: true, ...tokenOptions })
+    .firestore();
+}
+
+function signedOutFirestore() {
+  return testEnv.unauthenticatedContext().firestore();
+}
+
+function newOrder(customerId, changes = {}) {
+  return {
+    customerId: customerId,
+    customerEmail: customerId,
+    items: [{ id: 1, name: "Vanilla", price: 3.5, quantity: 2 }],
+    total: 7,
+    status: "pending",
+    ...changes,
+  };
+}
+
+function contactMessage(changes = {}) {
+  return {
+    name: "Alex",
+    email: "Alex@Example.com",
+    subject: "Opening hours",
+    message: "Are you open on Sundays?",
+    rateLimitSender: "browser:test-browser-key",
+    rateLimitWindow: Math.floor(Date.now() / CONTACT_WINDOW_MS),
+    status: "unread",
+    assignedTo: null,
+    notes: [],
+    ...changes,
+  };
+}
+
+// The email's and the sender's rate limit document IDs, as getContactRateLimitIds in script.js
+function contactRateLimitIds(message) {
+  return [
+    `email:${message.email.toLowerCase()}:${message.rateLimitWindow}`,
+    `${message.rateLimitSender}:${message.rateLimitWindow}`,
+  ];
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(__dirname, "..", "firestore.rules"), "utf8") },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await db.doc("users/alice").set({ email: ALICE.email, role: "customer" });
+    await db.doc("users/bob").set({ email: BOB.email, role: "customer" });
+    await db.doc("users/sam").set({ email: STAFF.email, role: "staff" });
+    await db.doc("users/ada").set({ email: ADMIN.email, role: "admin" });
+    await db.doc("orders/alice-order").set(newOrder(ALICE.email));
+    await db.doc("orders/bob-order").set(newOrder(BOB.email));
+    await db.doc("inventory/1").set({ productId: 1, stock: 10 });
+    await db.doc("slot_bookings/pickup-slot").set({ type: "pickup", count: 2 });
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("orders", () => {
+  it("lets a customer read their own order", async () => {
+    await assertSucceeds(firestoreAs(ALICE).doc("orders/alice-order").get());
+  });
+
+  it("stops a customer reading someone else's order", async () => {
+    await assertFails(firestoreAs(ALICE).doc("orders/bob-order").get());
+  });
+
+  it("lets a customer list only their own orders", async () => {
+    const orders = firestoreAs(ALICE).collection("orders");
+    await assertSucceeds(orders.where("customerId", "==", ALICE.email).get());
+    await assertFails(orders.get());
+  });
+
+  it("lets staff read every order", async () => {
+    await assertSucceeds(firestoreAs(STAFF).collection("orders").get());
+  });
+
+  it("lets a verified customer place a pending order for themselves only", async () => {
+    const db = firestoreAs(ALICE);
+    await assertSucceeds(db.doc("orders/new-order").set(newOrder(ALICE.email)));
+    await assertFails(db.doc("orders/other-order").set(newOrder(BOB.email)));
+    await assertFails(db.doc("orders/confirmed-order").set(newOrder(ALICE.email, { status: "confirmed" })));
+  });
+
+  it("stops a customer with an unverified email placing an order", async () => {
+    const db = firestoreAs(ALICE, { email_verified: false });
+    await assertFails(db.doc("orders/new-order").set(newOrder(ALICE.email)));
+  });
+
+  it("stops a customer changing the status of their order", async () => {
+    await assertFails(firestoreAs(ALICE).doc("orders/alice-order").update({ status: "completed" }));
+  });
+
+  it("lets staff change an order's status", async () => {
+    await assertSucceeds(firestoreAs(STAFF).doc("orders/alice-order").update({ status: "confirmed" }));
+  });
+});
+
+describe("users", () => {
+  it("lets a customer edit their own details", async () => {
+    await assertSucceeds(firestoreAs(ALICE).doc("users/alice").update({ displayName: "Alice" }));
+  });
+
+  it("stops a customer giving themselves a role", async () => {
+    await assertFails(firestoreAs(ALICE).doc("users/alice").update({ role: "admin" }));
+    await assertFails(firestoreAs(STAFF).doc("users/sam").update({ role: "admin" }));
+  });
+
+  it("stops a new profile starting with a role", async () => {
+    const carol = { uid: "carol", email: "carol@example.com" };
+    const db = firestoreAs(carol);
+    await assertFails(db.doc("users/carol").set({ email: carol.email, role: "staff" }));
+    await assertSucceeds(db.doc("users/carol").set({ email: carol.email, role: "customer" }));
+  });
+
+  it("lets an admin change a role", async () => {
+    await assertSucceeds(firestoreAs(ADMIN).doc("users/bob").update({ role: "staff" }));
+  });
+
+  it("stops a customer reading another customer's profile", async () => {
+    await assertFails(firestoreAs(ALICE).doc("users/bob").get());
+  });
+});
+
+describe("inventory", () => {
+  it("lets anyone read stock levels", async () => {
+    await assertSucceeds(signedOutFirestore().doc("inventory/1").get());
+  });
+
+  it("lets a customer take stock out", async () => {
+    await assertSucceeds(firestoreAs(ALICE).doc("inventory/1").update({ stock: 8 }));
+  });
+
+  it("lets a customer save an order and take its stock in one transaction", async () => {
+    // As saveOrderWithStock in script.js
+    const db = firestoreAs(ALICE);
+    await assertSucceeds(
+      db.runTransaction(async (transaction) => {
+        const level = await transaction.get(db.doc("inventory/1"));
+        transaction.update(db.doc("inventory/1"), { stock: level.data().stock - 2 });
+        transaction.set(db.doc("orders/new-order"), newOrder(ALICE.email, { stockReserved: true }));
+      })
+    );
+  });
+
+  it("stops a customer putting stock back or setting it", async () => {
+    const db = firestoreAs(ALICE);
+    await assertFails(db.doc("inventory/1").update({ stock: 11 }));
+    await assertFails(db.doc("inventory/1").update({ stock: 10 }));
+    await assertFails(db.doc("inventory/1").update({ stock: -1 }));
+  });
+
+  it("stops a customer creating a stock count", async () => {
+    await assertFails(firestoreAs(ALICE).doc("inventory/2").set({ productId: 2, stock: 1000 }));
+    await assertFails(firestoreAs(ALICE).doc("inventory/2").set({ productId: 2, stock: 0 }));
+  });
+
+  it("stops signed-out visitors changing stock", async () => {
+    await assertFails(signedOutFirestore().doc("inventory/1").update({ stock: 9 }));
+  });
+
+  it("lets staff set any stock level", async () => {
+    await assertSucceeds(firestoreAs(STAFF).doc("inventory/1").set({ productId: 1, stock: 50 }));
+  });
+
+  it("lets staff create a stock count", async () => {
+    await assertSucceeds(firestoreAs(STAFF).doc("inventory/2").set({ productId: 2, stock: 20 }));
+  });
+});
+
+describe("slot bookings", () => {
+  it("lets a customer take or give back one place at a time", async () => {
+    const db = firestoreAs(ALICE);
+    await assertSucceeds(db.doc("slot_bookings/pickup-slot").update({ count: 3 }));
+    await assertSucceeds(db.doc("slot_bookings/pickup-slot").update({ count: 2 }));
+  });
+
+  it("stops a customer changing a count by more than one", async () => {
+    const db = firestoreAs(ALICE);
+    await assertFails(db.doc("slot_bookings/pickup-slot").update({ count: 4 }));
+    await assertFails(db.doc("slot_bookings/pickup-slot").update({ count: 0 }));
+    await assertFails(db.doc("slot_bookings/new-slot").set({ type: "pickup", count: 5 }));
+  });
+
+  it("lets staff correct a count", async () => {
+    await assertSucceeds(firestoreAs(STAFF).doc("slot_bookings/pickup-slot").update({ count: 0 }));
+  });
+});
+
+describe("contact messages", () => {
+  // Sends a message the way sendContactMessage does: its ID goes on the rate limit
+  // documents in the same write
+  function sendMessage(db, messageId, message = contactMessage()) {
+    const limitRefs = contactRateLimitIds(message).map((limitId) => db.doc(`contact_rate_limits/${limitId}`));
+    return db.runTransaction(async (transaction) => {
+      const limits = await Promise.all(limitRefs.map((limitRef) => transaction.get(limitRef)));
+      limits.forEach((limit, index) => {
+        const sent = limit.exists ? limit.data().sent : {};
+        transaction.set(limitRefs[index], { sent: { ...sent, [messageId]: Date.now() } });
+      });
+      transaction.set(db.doc(`contact_messages/${messageId}`), message);
+    });
+  }
+
+  it("lets anyone send a message that counts against its rate limit", async () => {
+    await assertSucceeds(sendMessage(signedOutFirestore(), "message-1"));
+  });
+
+  it("refuses a message that isn't on its rate limit document", async () => {
+    const db = signedOutFirestore();
+    await assertFails(db.doc("contact_messages/message-1").set(contactMessage()));
+  });
+
+  it("refuses a message from an old rate limit window", async () => {
+    const message = contactMessage({ rateLimitWindow: Math.floor(Date.now() / CONTACT_WINDOW_MS) - 5 });
+    await assertFails(sendMessage(signedOutFirestore(), "message-1", message));
+  });
+
+  it("refuses more messages than the limit", async () => {
+    const db = signedOutFirestore();
+    for (let i = 1; i <= CONTACT_MAX_MESSAGES; i++) {
+      await assertSucceeds(sendMessage(db, `message-${i}`));
+    }
+    await assertFails(sendMessage(db, "message-extra"));
+  });
+
+  it("refuses more messages from one sender than the limit, whatever the email", async () => {
+    const db = signedOutFirestore();
+    for (let i = 1; i <= CONTACT_MAX_MESSAGES; i++) {
+      await assertSucceeds(sendMessage(db, `message-${i}`, contactMessage({ email: `alex${i}@example.com` })));
+    }
+    await assertFails(sendMessage(db, "message-extra", contactMessage({ email: "someone.else@example.com" })));
+  });
+
+  it("counts a signed-in sender's messages against their account", async () => {
+    const db = firestoreAs(ALICE);
+    await assertFails(sendMessage(db, "message-1"));
+    await assertFails(sendMessage(db, "message-2", contactMessage({ rateLimitSender: "uid:bob" })));
+    await assertSucceeds(sendMessage(db, "message-3", contactMessage({ rateLimitSender: "uid:alice" })));
+  });
+
+  it("stops the rate limit being emptied", async () => {
+    const db = signedOutFirestore();
+    await assertSucceeds(sendMessage(db, "message-1"));
+    const [emailLimitId] = contactRateLimitIds(contactMessage());
+    await assertFails(db.doc(`contact_rate_limits/${emailLimitId}`).update({ sent: {} }));
+  });
+
+  it("stops a rate limit document being filled without the messages", async () => {
+    const db = signedOutFirestore();
+    const [emailLimitId] = contactRateLimitIds(contactMessage());
+    const limitRef = db.doc(`contact_rate_limits/${emailLimitId}`);
+    await assertFails(limitRef.set({ sent: { "fake-1": Date.now() } }));
+    await assertFails(limitRef.set({ sent: { "fake-1": Date.now(), "fake-2": Date.now(), "fake-3": Date.now() } }));
+
+    await assertSucceeds(sendMessage(db, "message-1"));
+    await assertFails(limitRef.update({ sent: { "message-1": Date.now(), "fake-2": Date.now() } }));
+  });
+
+  it("stops a message being counted against someone else's rate limit", async () => {
+    const db = signedOutFirestore();
+    const [victimLimitId] = contactRateLimitIds(contactMessage({ email: "victim@example.com" }));
+    const message = contactMessage();
+    await assertFails(
+      db.runTransaction(async (transaction) => {
+        contactRateLimitIds(message)
+          .concat(victimLimitId)
+          .forEach((limitId) => transaction.set(db.doc(`contact_rate_limits/${limitId}`), { sent: { "message-1": Date.now() } }));
+        transaction.set(db.doc("contact_messages/message-1"), message);
+      })
+    );
+  });
+
+  it("lets only staff read messages", async () => {
+    await assertSucceeds(sendMessage(signedOutFirestore(), "message-1"));
+    await assertFails(firestoreAs(ALICE).doc("contact_messages/message-1").get());
+    await assertSucceeds(firestoreAs(STAFF).doc("contact_messages/message-1").get());
+  });
+});